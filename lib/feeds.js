@@ -0,0 +1,97 @@
+const { escapeHtml } = require("./text");
+
+//escape text for XML, dropping the control characters XML 1.0 forbids
+const escapeXml = (text) =>
+  escapeHtml(text).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+//syndication feeds. A feed is { title, description, homePageUrl, feedUrl,
+//updated, items }, each item { url, title, text, html, authorName, tags,
+//published, updated } where html is optional.
+const feedFormats = {
+  rss: {
+    contentType: "application/rss+xml; charset=utf-8",
+    render: (feed) =>
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        "<channel>",
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<link>${escapeXml(feed.homePageUrl)}</link>`,
+        `<description>${escapeXml(feed.description)}</description>`,
+        `<atom:link href="${escapeXml(
+          feed.feedUrl
+        )}" rel="self" type="application/rss+xml"/>`,
+        `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+        ...feed.items.map((item) =>
+          [
+            "<item>",
+            `<title>${escapeXml(item.title)}</title>`,
+            `<link>${escapeXml(item.url)}</link>`,
+            `<guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+            `<pubDate>${item.published.toUTCString()}</pubDate>`,
+            `<dc:creator>${escapeXml(item.authorName)}</dc:creator>`,
+            ...item.tags.map((tag) => `<category>${escapeXml(tag)}</category>`),
+            `<description>${escapeXml(item.html || item.text)}</description>`,
+            "</item>",
+          ].join("")
+        ),
+        "</channel>",
+        "</rss>",
+      ].join("\n"),
+  },
+  atom: {
+    contentType: "application/atom+xml; charset=utf-8",
+    render: (feed) =>
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `<id>${escapeXml(feed.feedUrl)}</id>`,
+        `<link rel="self" href="${escapeXml(feed.feedUrl)}"/>`,
+        `<link rel="alternate" href="${escapeXml(feed.homePageUrl)}"/>`,
+        `<updated>${feed.updated.toISOString()}</updated>`,
+        ...feed.items.map((item) =>
+          [
+            "<entry>",
+            `<title>${escapeXml(item.title)}</title>`,
+            `<id>${escapeXml(item.url)}</id>`,
+            `<link href="${escapeXml(item.url)}"/>`,
+            `<published>${item.published.toISOString()}</published>`,
+            `<updated>${item.updated.toISOString()}</updated>`,
+            `<author><name>${escapeXml(item.authorName)}</name></author>`,
+            ...item.tags.map((tag) => `<category term="${escapeXml(tag)}"/>`),
+            item.html
+              ? `<content type="html">${escapeXml(item.html)}</content>`
+              : `<content type="text">${escapeXml(item.text)}</content>`,
+            "</entry>",
+          ].join("")
+        ),
+        "</feed>",
+      ].join("\n"),
+  },
+  json: {
+    contentType: "application/feed+json; charset=utf-8",
+    render: (feed) =>
+      JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.feedUrl,
+        items: feed.items.map((item) => ({
+          id: item.url,
+          url: item.url,
+          title: item.title,
+          content_text: item.text,
+          ...(item.html && { content_html: item.html }),
+          date_published: item.published.toISOString(),
+          date_modified: item.updated.toISOString(),
+          authors: [{ name: item.authorName }],
+          tags: item.tags,
+        })),
+      }),
+  },
+};
+
+module.exports = { escapeXml, feedFormats };
@@ -0,0 +1,125 @@
+const MarkdownIt = require("markdown-it");
+const sanitizeHtml = require("sanitize-html");
+
+//markdown for posts and comments. Raw HTML in the source is escaped, the
+//rendered HTML is sanitized on top of that before it's stored.
+const markdown = new MarkdownIt({ linkify: true });
+
+const mentionPattern = /(^|[^\w@])@([A-Za-z0-9_][A-Za-z0-9_.-]{1,29})/g;
+
+//turn @username in plain text into links to users resolved in
+//env.mentionedUsers, and collect every username seen in env.usernames.
+//Code and link text are left alone.
+markdown.core.ruler.push("mentions", (state) => {
+  const { mentionedUsers, usernames } = state.env;
+
+  for (const blockToken of state.tokens) {
+    if (blockToken.type !== "inline") {
+      continue;
+    }
+
+    let linkDepth = 0;
+    const children = [];
+
+    for (const token of blockToken.children) {
+      linkDepth += { link_open: 1, link_close: -1 }[token.type] || 0;
+
+      if (token.type !== "text" || linkDepth > 0) {
+        children.push(token);
+        continue;
+      }
+
+      let last = 0;
+      for (const match of token.content.matchAll(mentionPattern)) {
+        const username = match[2].replace(/[.-]+$/, "");
+        const start = match.index + match[1].length;
+        const user = mentionedUsers?.get(username.toLowerCase());
+
+        usernames?.add(username.toLowerCase());
+        if (!user) {
+          continue;
+        }
+
+        const before = new state.Token("text", "", 0);
+        before.content = token.content.slice(last, start);
+        const open = new state.Token("link_open", "a", 1);
+        open.attrs = [
+          ["href", `/users/${user._id}`],
+          ["class", "mention"],
+        ];
+        const text = new state.Token("text", "", 0);
+        text.content = `@${username}`;
+        children.push(
+          before,
+          open,
+          text,
+          new state.Token("link_close", "a", -1)
+        );
+        last = start + username.length + 1;
+      }
+
+      if (last === 0) {
+        children.push(token);
+      } else {
+        const rest = new state.Token("text", "", 0);
+        rest.content = token.content.slice(last);
+        children.push(rest);
+      }
+    }
+
+    blockToken.children = children;
+  }
+});
+
+const sanitizeOptions = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del", "s"],
+  allowedAttributes: {
+    a: ["href", "title", "class", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    th: ["style"],
+    td: ["style"],
+  },
+  allowedClasses: { a: ["mention"], code: [/^language-[\w-]+$/] },
+  allowedStyles: { "*": { "text-align": [/^(left|right|center)$/] } },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow noopener" }),
+  },
+};
+
+//usernames @mentioned in a markdown source, lowercased
+const findMentionedUsernames = (source) => {
+  const usernames = new Set();
+  markdown.parse(String(source || ""), { usernames });
+  return [...usernames];
+};
+
+//render markdown to sanitized HTML plus a plain text excerpt for lists
+const renderMarkdown = (source, mentionedUsers = new Map()) => {
+  const env = { mentionedUsers };
+  const tokens = markdown.parse(String(source || ""), env);
+  const html = sanitizeHtml(
+    markdown.renderer.render(tokens, markdown.options, env),
+    sanitizeOptions
+  );
+
+  const text = tokens
+    .filter((token) => token.type === "inline")
+    .map((token) =>
+      token.children
+        .map((child) =>
+          ["softbreak", "hardbreak"].includes(child.type) ? " " : child.content
+        )
+        .join("")
+    )
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+  const excerpt =
+    text.length > 200 ? `${text.slice(0, 200).replace(/\s+\S*$/, "")}…` : text;
+
+  return { html, excerpt };
+};
+
+module.exports = { findMentionedUsernames, renderMarkdown };
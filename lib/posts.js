@@ -0,0 +1,24 @@
+//why a post can't move to a status, if it can't. Only drafts may have
+//no description, a schedule has to lie in the future and a poll can't
+//close before the post goes out.
+const checkPublishable = (post, { status, publishAt }) => {
+  if (status !== "draft" && !post.description) {
+    return "A description is required to publish a post";
+  }
+  if (
+    status === "scheduled" &&
+    !(publishAt && new Date(publishAt) > new Date())
+  ) {
+    return "Scheduled posts need a publishAt date in the future";
+  }
+  if (
+    status === "scheduled" &&
+    post.poll?.closesAt &&
+    new Date(post.poll.closesAt) <= new Date(publishAt)
+  ) {
+    return "The poll has to close after the post is published";
+  }
+  return null;
+};
+
+module.exports = { checkPublishable };
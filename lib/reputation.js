@@ -0,0 +1,26 @@
+//badge tiers from lowest to highest, a user gets the highest one they
+//qualify for and never less than the first
+const defaultBadgeTiers = [
+  { name: "Bronze", minReputation: 0 },
+  { name: "Silver", minReputation: 100 },
+  { name: "Gold", members: true },
+  { name: "Platinum", minReputation: 1000 },
+];
+
+//paying members, the audience of member-only announcements. Users from
+//before the membership flag only have the Gold badge to go by.
+const memberUserFilter = {
+  $or: [{ member: true }, { member: { $exists: false }, badge: "Gold" }],
+};
+const isMember = (user) => user?.member ?? (!!user && user.badge === "Gold");
+
+const getBadge = (user, badgeTiers = defaultBadgeTiers) =>
+  badgeTiers
+    .filter((tier) =>
+      tier.members
+        ? isMember(user)
+        : (user.reputation || 0) >= tier.minReputation
+    )
+    .at(-1)?.name || badgeTiers[0].name;
+
+module.exports = { defaultBadgeTiers, memberUserFilter, isMember, getBadge };
@@ -0,0 +1,145 @@
+//lowercase and collapse whitespace so equal searches group together
+const normalizeSearchTerm = (term) =>
+  String(term || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+//the terms of a $text query worth highlighting: phrases and plain words,
+//minus anything excluded with a leading "-"
+const getSearchHighlightTerms = (query) => {
+  const terms = [];
+  const tokenPattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(query))) {
+    const [, phraseExcluded, phrase, wordExcluded, word] = match;
+
+    if (phrase && !phraseExcluded) {
+      terms.push(phrase);
+    } else if (word && !wordExcluded) {
+      // text search matches stems, so highlight the stem as a prefix
+      const stem = word.replace(/(ing|ed|es|s)$/i, "");
+      terms.push(stem.length >= 3 ? stem : word);
+    }
+  }
+  return terms;
+};
+
+//cut a window of text around the first match and wrap matches in <mark>
+const buildSnippet = (text, terms, radius = 80) => {
+  const source = String(text || "");
+  if (!terms.length) {
+    return escapeHtml(source.slice(0, radius * 2));
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "i");
+  const firstMatch = source.search(pattern);
+  const start = Math.max(0, firstMatch - radius);
+  const end = Math.min(source.length, Math.max(firstMatch, 0) + radius);
+
+  const snippet = source
+    .slice(start, end)
+    .split(new RegExp(pattern.source, "gi"))
+    .map((part, index) =>
+      index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < source.length ? "…" : ""}`;
+};
+
+// the LCS table of a diff gets at most this many cells, larger changes are
+// shown as the old lines removed and the new ones added
+const maxDiffCells = 1000 * 1000;
+
+//line based diff of two texts, from the longest common subsequence of the
+//lines between their common start and end
+const diffLines = (before, after) => {
+  const a = String(before ?? "").split("\n");
+  const b = String(after ?? "").split("\n");
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((line) => ({ type: "equal", line }));
+  const tail = a.slice(endA).map((line) => ({ type: "equal", line }));
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+
+  if ((oldLines.length + 1) * (newLines.length + 1) > maxDiffCells) {
+    return [
+      ...head,
+      ...oldLines.map((line) => ({ type: "removed", line })),
+      ...newLines.map((line) => ({ type: "added", line })),
+      ...tail,
+    ];
+  }
+
+  const lengths = Array.from({ length: oldLines.length + 1 }, () =>
+    new Array(newLines.length + 1).fill(0)
+  );
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length || j < newLines.length) {
+    if (
+      i < oldLines.length &&
+      j < newLines.length &&
+      oldLines[i] === newLines[j]
+    ) {
+      changes.push({ type: "equal", line: oldLines[i] });
+      i++;
+      j++;
+    } else if (
+      j < newLines.length &&
+      (i === oldLines.length || lengths[i][j + 1] >= lengths[i + 1][j])
+    ) {
+      changes.push({ type: "added", line: newLines[j] });
+      j++;
+    } else {
+      changes.push({ type: "removed", line: oldLines[i] });
+      i++;
+    }
+  }
+  return [...head, ...changes, ...tail];
+};
+
+module.exports = {
+  normalizeSearchTerm,
+  escapeRegExp,
+  escapeHtml,
+  getSearchHighlightTerms,
+  buildSnippet,
+  maxDiffCells,
+  diffLines,
+};
@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+
+// signs webhook bodies the way stripe does: an HMAC over the timestamp and
+// the raw body, sent as `t=<unix seconds>,v1=<hex>`
+const signWebhookPayload = (secret, timestamp, body) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// loopback, private, link-local (cloud metadata lives there) and other
+// addresses that aren't on the public internet
+const privateAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  privateAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  privateAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) => {
+  // an IPv4 address written as IPv6, like ::ffff:127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+
+  if (mapped) {
+    return privateAddresses.check(mapped[1], "ipv4");
+  }
+  return privateAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+//why a webhook URL can't be sent to, if it can't: it has to resolve to
+//public addresses only, so the server can't be pointed at its own network.
+//WEBHOOK_ALLOW_PRIVATE=true lifts that for local testing.
+const checkWebhookTarget = async (url) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE === "true") {
+    return null;
+  }
+
+  const { hostname } = new URL(url);
+  let addresses;
+
+  try {
+    addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ""), {
+      all: true,
+    });
+  } catch (error) {
+    return `Can't resolve ${hostname}`;
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return "Webhooks can't be sent to private or local addresses";
+  }
+  return null;
+};
+
+module.exports = { signWebhookPayload, isPrivateAddress, checkWebhookTarget };
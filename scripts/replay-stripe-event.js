@@ -0,0 +1,52 @@
+// Replays a stripe event fixture against a running server, signed the same
+// way stripe signs real deliveries.
+//
+//   node scripts/replay-stripe-event.js <fixture> [userId] [url]
+//
+// e.g. node scripts/replay-stripe-event.js payment_intent.succeeded 64f...
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+const [fixtureName, userId, url = "http://localhost:5000/stripe-webhook"] =
+  process.argv.slice(2);
+
+if (!fixtureName) {
+  console.error("Usage: replay-stripe-event.js <fixture> [userId] [url]");
+  process.exit(1);
+}
+
+const fixturePath = path.join(
+  __dirname,
+  "fixtures",
+  "stripe",
+  fixtureName.endsWith(".json") ? fixtureName : `${fixtureName}.json`
+);
+const event = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+
+if (userId && event.data.object.metadata) {
+  event.data.object.metadata.userId = userId;
+}
+
+const payload = JSON.stringify(event);
+const signature = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+fetch(url, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    "Stripe-Signature": signature,
+  },
+  body: payload,
+})
+  .then(async (res) => {
+    console.log(res.status, await res.text());
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
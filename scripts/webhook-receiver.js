@@ -0,0 +1,97 @@
+// Local endpoint for trying out webhooks. Prints every delivery it gets and
+// checks the signature against WEBHOOK_SECRET, the secret shown when the
+// webhook was created.
+//
+//   node scripts/webhook-receiver.js [port] [failEvery]
+//
+// e.g. WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js 4000 3
+// answers every third delivery with a 500, to watch the retries. The API
+// only sends to local addresses when it runs with WEBHOOK_ALLOW_PRIVATE=true.
+require("dotenv").config();
+const crypto = require("crypto");
+const http = require("http");
+
+const [port = 4000, failEvery = 0] = process.argv.slice(2).map(Number);
+const secret = process.env.WEBHOOK_SECRET;
+
+// signatures older than this are refused, like a real receiver should
+const toleranceSeconds = 5 * 60;
+
+const verifySignature = (header, body, signingSecret = secret) => {
+  const parts = Object.fromEntries(
+    (header || "").split(",").map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    return "missing signature";
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return "signature too old";
+  }
+
+  const expected = crypto
+    .createHmac("sha256", signingSecret)
+    .update(`${timestamp}.${body}`)
+    .digest();
+  const actual = Buffer.from(parts.v1, "hex");
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return "signature mismatch";
+  }
+  return null;
+};
+
+// the tests load this file for verifySignature, only listen when it's run
+if (require.main === module) {
+  if (!secret) {
+    console.warn("WEBHOOK_SECRET is not set, signatures won't be checked");
+  }
+
+  let received = 0;
+
+  http
+    .createServer((req, res) => {
+      const chunks = [];
+
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        const body = Buffer.concat(chunks).toString("utf8");
+        const error =
+          secret && verifySignature(req.headers["x-forumhub-signature"], body);
+
+        received++;
+        console.log(
+          `#${received} ${req.headers["x-forumhub-event"]} delivery ${
+            req.headers["x-forumhub-delivery"]
+          } ${error ? `REJECTED: ${error}` : "ok"}`
+        );
+
+        if (error) {
+          res.writeHead(401).end(error);
+          return;
+        }
+
+        try {
+          console.dir(JSON.parse(body), { depth: null });
+        } catch {
+          console.log(body);
+        }
+
+        if (failEvery && received % failEvery === 0) {
+          console.log("  answering 500 on purpose");
+          res.writeHead(500).end("failing on purpose");
+          return;
+        }
+        res.writeHead(200).end("ok");
+      });
+    })
+    .listen(port, () => {
+      console.log(`Webhook receiver listening on http://localhost:${port}/`);
+    });
+}
+
+module.exports = { verifySignature };
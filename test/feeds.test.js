@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { feedFormats } = require("../lib/feeds");
+
+const feed = {
+  title: "ForumHub & friends",
+  description: "New <posts>",
+  homePageUrl: "https://forum.test",
+  feedUrl: "https://api.forum.test/feeds/posts.rss",
+  updated: new Date("2024-05-02T10:00:00Z"),
+  items: [
+    {
+      url: "https://forum.test/post-details/1",
+      title: 'A "quoted" title\u0001',
+      text: "plain text",
+      html: "<p>rich <em>text</em></p>",
+      authorName: "Ann",
+      tags: ["news"],
+      published: new Date("2024-05-01T09:00:00Z"),
+      updated: new Date("2024-05-02T10:00:00Z"),
+    },
+    {
+      url: "https://forum.test/post-details/2",
+      title: "Second",
+      text: "only text",
+      authorName: "Bo",
+      tags: [],
+      published: new Date("2024-04-30T09:00:00Z"),
+      updated: new Date("2024-04-30T09:00:00Z"),
+    },
+  ],
+};
+
+test("the rss feed escapes its content", () => {
+  const xml = feedFormats.rss.render(feed);
+
+  assert.match(xml, /<title>ForumHub &amp; friends<\/title>/);
+  assert.match(xml, /<title>A &quot;quoted&quot; title<\/title>/);
+  assert.match(
+    xml,
+    /<description>&lt;p&gt;rich &lt;em&gt;text&lt;\/em&gt;&lt;\/p&gt;<\/description>/
+  );
+  assert.match(xml, /<description>only text<\/description>/);
+  assert.match(xml, /<category>news<\/category>/);
+  assert.match(xml, /<pubDate>Wed, 01 May 2024 09:00:00 GMT<\/pubDate>/);
+  assert.match(
+    xml,
+    /<atom:link href="https:\/\/api\.forum\.test\/feeds\/posts\.rss" rel="self"/
+  );
+  assert.doesNotMatch(xml, /\u0001/);
+});
+
+test("the atom feed marks html and text content", () => {
+  const xml = feedFormats.atom.render(feed);
+
+  assert.match(xml, /<id>https:\/\/api\.forum\.test\/feeds\/posts\.rss<\/id>/);
+  assert.match(xml, /<updated>2024-05-02T10:00:00\.000Z<\/updated>/);
+  assert.match(xml, /<content type="html">&lt;p&gt;rich/);
+  assert.match(xml, /<content type="text">only text<\/content>/);
+  assert.equal(xml.match(/<entry>/g).length, 2);
+});
+
+test("the json feed follows JSON Feed 1.1", () => {
+  const json = JSON.parse(feedFormats.json.render(feed));
+
+  assert.equal(json.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(json.feed_url, feed.feedUrl);
+  assert.equal(json.items.length, 2);
+  assert.equal(json.items[0].content_html, feed.items[0].html);
+  assert.equal("content_html" in json.items[1], false);
+  assert.equal(json.items[1].date_published, "2024-04-30T09:00:00.000Z");
+  assert.deepEqual(json.items[0].authors, [{ name: "Ann" }]);
+});
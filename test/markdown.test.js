@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findMentionedUsernames, renderMarkdown } = require("../lib/markdown");
+
+test("renderMarkdown escapes raw HTML", () => {
+  const { html } = renderMarkdown(
+    '<script>alert(1)</script><img src=x onerror="alert(1)">'
+  );
+
+  assert.doesNotMatch(html, /<script|<img/);
+});
+
+test("renderMarkdown drops unsafe links and attributes", () => {
+  const { html } = renderMarkdown(
+    "[click](javascript:alert(1)) [site](https://example.com)"
+  );
+
+  assert.doesNotMatch(html, /href="javascript:/);
+  assert.match(
+    html,
+    /<a href="https:\/\/example\.com" rel="nofollow noopener">site<\/a>/
+  );
+});
+
+test("renderMarkdown builds a plain text excerpt", () => {
+  const { html, excerpt } = renderMarkdown("# Title\n\nsome **bold**\ntext");
+
+  assert.match(html, /<h1>Title<\/h1>/);
+  assert.equal(excerpt, "Title some bold text");
+
+  const long = renderMarkdown("word ".repeat(100)).excerpt;
+  assert.ok(long.length <= 201);
+  assert.ok(long.endsWith("word…"));
+});
+
+test("renderMarkdown links mentions of known users only", () => {
+  const users = new Map([["alice", { _id: "64f000000000000000000001" }]]);
+  const { html } = renderMarkdown("hi @Alice and @bob", users);
+
+  assert.match(
+    html,
+    /<a href="\/users\/64f000000000000000000001" class="mention" rel="nofollow noopener">@Alice<\/a>/
+  );
+  assert.match(html, /and @bob/);
+});
+
+test("findMentionedUsernames skips code, links and emails", () => {
+  assert.deepEqual(
+    findMentionedUsernames(
+      "@Alice, `@code` [@linked](https://x.test) mail@example.com @bob."
+    ),
+    ["alice", "bob"]
+  );
+});
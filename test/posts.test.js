@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkPublishable } = require("../lib/posts");
+
+const inHours = (hours) =>
+  new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+test("checkPublishable lets drafts go without a description", () => {
+  assert.equal(checkPublishable({}, { status: "draft" }), null);
+  assert.match(
+    checkPublishable({}, { status: "published" }),
+    /description is required/
+  );
+  assert.equal(
+    checkPublishable({ description: "text" }, { status: "published" }),
+    null
+  );
+});
+
+test("checkPublishable wants scheduled posts in the future", () => {
+  const post = { description: "text" };
+
+  assert.match(
+    checkPublishable(post, { status: "scheduled" }),
+    /publishAt date in the future/
+  );
+  assert.match(
+    checkPublishable(post, { status: "scheduled", publishAt: inHours(-1) }),
+    /publishAt date in the future/
+  );
+  assert.equal(
+    checkPublishable(post, { status: "scheduled", publishAt: inHours(1) }),
+    null
+  );
+});
+
+test("checkPublishable rejects polls closing before the post goes out", () => {
+  const publishAt = inHours(2);
+  const withPoll = (closesAt) => ({ description: "text", poll: { closesAt } });
+
+  assert.match(
+    checkPublishable(withPoll(inHours(1)), { status: "scheduled", publishAt }),
+    /poll has to close after/
+  );
+  assert.match(
+    checkPublishable(withPoll(publishAt), { status: "scheduled", publishAt }),
+    /poll has to close after/
+  );
+  assert.equal(
+    checkPublishable(withPoll(inHours(3)), { status: "scheduled", publishAt }),
+    null
+  );
+  assert.equal(
+    checkPublishable(withPoll(null), { status: "scheduled", publishAt }),
+    null
+  );
+});
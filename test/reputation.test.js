@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getBadge, isMember } = require("../lib/reputation");
+
+test("getBadge picks the highest tier a user qualifies for", () => {
+  assert.equal(getBadge({ reputation: 0 }), "Bronze");
+  assert.equal(getBadge({ reputation: 150 }), "Silver");
+  assert.equal(getBadge({ reputation: 150, member: true }), "Gold");
+  assert.equal(getBadge({ reputation: 1500, member: true }), "Platinum");
+  assert.equal(getBadge({ reputation: 1500, member: false }), "Platinum");
+});
+
+test("getBadge never goes below the first tier", () => {
+  assert.equal(getBadge({ reputation: -40 }), "Bronze");
+  assert.equal(getBadge({}), "Bronze");
+});
+
+test("getBadge uses the tiers it's given", () => {
+  const tiers = [
+    { name: "New", minReputation: 10 },
+    { name: "Regular", minReputation: 50 },
+  ];
+
+  assert.equal(getBadge({ reputation: 0 }, tiers), "New");
+  assert.equal(getBadge({ reputation: 60 }, tiers), "Regular");
+});
+
+test("isMember falls back to the Gold badge for legacy users", () => {
+  assert.equal(isMember({ badge: "Gold" }), true);
+  assert.equal(isMember({ badge: "Gold", member: false }), false);
+  assert.equal(isMember({ badge: "Platinum", member: true }), true);
+  assert.equal(isMember({ badge: "Platinum" }), false);
+  assert.equal(isMember(null), false);
+});
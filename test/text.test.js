@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeSearchTerm,
+  escapeRegExp,
+  getSearchHighlightTerms,
+  buildSnippet,
+  diffLines,
+  maxDiffCells,
+} = require("../lib/text");
+
+test("normalizeSearchTerm lowercases and collapses whitespace", () => {
+  assert.equal(normalizeSearchTerm("  Node   JS\tTips "), "node js tips");
+  assert.equal(normalizeSearchTerm(undefined), "");
+});
+
+test("escapeRegExp matches the text literally", () => {
+  const pattern = new RegExp(escapeRegExp("c++ (beta)?"));
+
+  assert.ok(pattern.test("about c++ (beta)? today"));
+  assert.ok(!pattern.test("about cc (beta) today"));
+});
+
+test("getSearchHighlightTerms keeps phrases, stems words, skips exclusions", () => {
+  assert.deepEqual(
+    getSearchHighlightTerms(
+      '"exact phrase" -skipped running cats -"not this" go'
+    ),
+    ["exact phrase", "runn", "cat", "go"]
+  );
+});
+
+test("buildSnippet marks matches and escapes the text", () => {
+  assert.equal(
+    buildSnippet("Learn <b>Node</b> today", ["node"]),
+    "Learn &lt;b&gt;<mark>Node</mark>&lt;/b&gt; today"
+  );
+});
+
+test("buildSnippet cuts a window around the first match", () => {
+  const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+  const snippet = buildSnippet(text, ["needle"], 10);
+
+  assert.equal(snippet, "…a a a a a <mark>needle</mark> b b…");
+});
+
+test("buildSnippet without terms returns the start of the text", () => {
+  assert.equal(buildSnippet("x".repeat(300), [], 5), "x".repeat(10));
+});
+
+const summarize = (changes) =>
+  changes.map(
+    ({ type, line }) =>
+      `${{ equal: " ", added: "+", removed: "-" }[type]}${line}`
+  );
+
+test("diffLines keeps unchanged lines and marks the edits", () => {
+  assert.deepEqual(summarize(diffLines("a\nb\nc", "a\nx\nc")), [
+    " a",
+    "+x",
+    "-b",
+    " c",
+  ]);
+});
+
+test("diffLines handles empty and missing texts", () => {
+  assert.deepEqual(summarize(diffLines("", "")), [" "]);
+  assert.deepEqual(summarize(diffLines(undefined, "a")), ["+a", "-"]);
+  assert.deepEqual(summarize(diffLines("a\nb", "a\nb\nc")), [" a", " b", "+c"]);
+});
+
+test("diffLines finds the common lines between moved blocks", () => {
+  const changes = diffLines("1\n2\n3\n4", "3\n4\n1\n2");
+
+  assert.equal(changes.filter(({ type }) => type === "equal").length, 2);
+  assert.deepEqual(
+    changes.filter(({ type }) => type !== "added").map(({ line }) => line),
+    ["1", "2", "3", "4"]
+  );
+  assert.deepEqual(
+    changes.filter(({ type }) => type !== "removed").map(({ line }) => line),
+    ["3", "4", "1", "2"]
+  );
+});
+
+test("diffLines falls back to remove and add for huge changes", () => {
+  const size = Math.ceil(Math.sqrt(maxDiffCells)) + 1;
+  const before = Array.from({ length: size }, (_, i) => `old ${i}`);
+  const after = Array.from({ length: size }, (_, i) => `new ${i}`);
+  const changes = diffLines(
+    ["same", ...before, "end"].join("\n"),
+    ["same", ...after, "end"].join("\n")
+  );
+
+  assert.equal(changes.length, size * 2 + 2);
+  assert.deepEqual(changes[0], { type: "equal", line: "same" });
+  assert.ok(changes.slice(1, size + 1).every(({ type }) => type === "removed"));
+  assert.ok(changes.slice(size + 1, -1).every(({ type }) => type === "added"));
+  assert.deepEqual(changes.at(-1), { type: "equal", line: "end" });
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  signWebhookPayload,
+  isPrivateAddress,
+  checkWebhookTarget,
+} = require("../lib/webhooks");
+const { verifySignature } = require("../scripts/webhook-receiver");
+
+const secret = "whsec_test";
+const body = JSON.stringify({ event: "post.created", data: { id: 1 } });
+const now = () => Math.floor(Date.now() / 1000);
+
+test("the receiver accepts a signed payload", () => {
+  const header = signWebhookPayload(secret, now(), body);
+
+  assert.match(header, /^t=\d+,v1=[a-f\d]{64}$/);
+  assert.equal(verifySignature(header, body, secret), null);
+});
+
+test("the receiver rejects a changed body or another secret", () => {
+  const header = signWebhookPayload(secret, now(), body);
+
+  assert.equal(
+    verifySignature(header, `${body} `, secret),
+    "signature mismatch"
+  );
+  assert.equal(
+    verifySignature(header, body, "whsec_other"),
+    "signature mismatch"
+  );
+});
+
+test("the receiver rejects old and missing signatures", () => {
+  const header = signWebhookPayload(secret, now() - 10 * 60, body);
+
+  assert.equal(verifySignature(header, body, secret), "signature too old");
+  assert.equal(verifySignature(undefined, body, secret), "missing signature");
+});
+
+test("isPrivateAddress tells internal addresses from public ones", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.0.0.5",
+    "172.16.3.4",
+    "192.168.1.1",
+    "169.254.169.254",
+    "0.0.0.0",
+    "::1",
+    "fd12::1",
+    "fe80::1",
+    "::ffff:10.0.0.1",
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "172.32.0.1", "2606:4700::1111"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("checkWebhookTarget refuses local and metadata hosts", async () => {
+  assert.match(
+    await checkWebhookTarget("http://127.0.0.1:4000/hook"),
+    /private or local/
+  );
+  assert.match(
+    await checkWebhookTarget("http://[::1]/hook"),
+    /private or local/
+  );
+  assert.match(
+    await checkWebhookTarget("http://169.254.169.254/latest/meta-data"),
+    /private or local/
+  );
+  assert.equal(await checkWebhookTarget("https://8.8.8.8/hook"), null);
+});